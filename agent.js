@@ -1,51 +1,326 @@
-class LLMAgent {
-    constructor() {
-        this.messages = [];
-        this.isProcessing = false;
-        this.llmProvider = null;
-        this.aipipeToken = null;
-        
+// Bootstrap renderer for index.html. Everything the agent does lives in
+// agent-core.js; this module only turns its events into DOM updates and the
+// page's forms into calls on the agent.
+import {
+    LLMAgent,
+    WorkflowEngine,
+    LLM_PROVIDERS,
+    DEFAULT_MAX_TOKENS,
+    APPROVAL_POLICIES,
+    BUILTIN_PRESETS,
+    CITATION_PATTERN,
+    formatCost
+} from './agent-core.js';
+
+class ChatUI {
+    constructor(agent) {
+        this.agent = agent;
+        // Bubble of the reply being streamed, and the live progress bubble of
+        // each queued or running tool call: id -> { bubble, name, startedAt, note, timer }
+        this.streamBubble = null;
+        this.toolBubbles = new Map();
+        // Files read for the next message, shown in the tray above the input
+        this.pendingAttachments = [];
+        agent.approvalHandler = (tool, args, toolCallId, signal) => this.requestApproval(tool, args, toolCallId, signal);
+
         this.initializeUI();
+        this.bindAgentEvents();
+        this.renderSimulationMode();
+        this.initializeSearchSettings();
+        this.initializeCredentials();
+        this.initializeUsageSettings();
+        this.initializePresets();
+        this.initializeSessions();
+        this.initializeWorkflows();
+        this.initializeMCP();
+        this.initializeTracing();
+        this.renderToolList();
         this.initializeAIPipe();
-        this.initializeTools();
+    }
+
+    bindAgentEvents() {
+        const agent = this.agent;
+        agent.on('message', (detail) => this.renderMessageEvent(detail));
+        agent.on('delta', ({ output }) => {
+            if (!this.streamBubble) this.streamBubble = this.addMessage('agent', '', false, true);
+            this.updateMessage(this.streamBubble, output);
+        });
+        agent.on('toolCallQueued', ({ id, name }) => this.addToolProgress(id, name));
+        agent.on('toolCallApproval', ({ id, name }) => {
+            const entry = this.toolBubbles.get(id);
+            if (entry) this.updateMessage(entry.bubble, `✋ ${name} awaiting approval…`);
+        });
+        agent.on('toolCallStart', ({ id }) => this.updateToolProgress(id, { startedAt: Date.now() }));
+        agent.on('toolCallProgress', ({ id, message }) => this.updateToolProgress(id, { note: message }));
+        agent.on('toolCallEnd', (detail) => this.renderToolResult(detail));
+        agent.on('error', ({ error, description, cancelled }) => {
+            this.finishStreamBubble();
+            if (cancelled) {
+                this.addMessage('agent', '⏹️ Run cancelled.');
+            } else {
+                // The core stays quiet; the page keeps the stack for devtools
+                console.error('Agent run failed:', error);
+                this.addMessage('agent', `❌ ${description}`);
+                this.showAlert(`Error: ${description}`, 'danger');
+            }
+        });
+        agent.on('status', () => {
+            this.renderSimulationMode();
+            this.updateUI();
+        });
+        agent.on('notice', ({ message, level }) => this.showAlert(message, level));
+        agent.on('session', () => {
+            this.renderConversation();
+            this.renderSessionList();
+        });
+        agent.on('sessions', () => this.renderSessionList());
+        agent.on('tools', () => this.renderToolList());
+        agent.on('preset', () => this.renderPresetSettings());
+        agent.on('context', () => this.renderContextIndicator());
+        agent.on('usage', () => this.renderUsageIndicator());
+        agent.on('trace', () => this.scheduleTraceRender());
+        agent.on('workflows', () => this.renderWorkflowList());
+        agent.on('mcp', () => this.renderMCPServerList());
+        agent.on('searchSettings', () => this.renderSearchSettings());
+        agent.on('credentials', () => {
+            this.renderCredentialPanel();
+            this.updateProviderFields();
+            this.renderSearchSettings();
+            this.updateUI();
+        });
+    }
+
+    // User messages are echoed here too; tool results are shown from the
+    // toolCallEnd event instead, which knows the outcome
+    renderMessageEvent({ message, streamed, usage }) {
+        if (message.role === 'user') {
+            this.renderBranchSwitcher(message);
+            this.renderUserMessage(message);
+        } else if (message.role === 'assistant') {
+            let bubble = streamed ? this.streamBubble : null;
+            this.finishStreamBubble();
+            this.renderBranchSwitcher(message, bubble);
+            if (!bubble && message.content) bubble = this.addMessage('agent', message.content);
+            if (bubble) this.addMessageActions(bubble, message);
+            if (bubble && usage) this.renderUsageFooter(bubble, usage);
+            // The ledger entry is only linked to its turn's answer now
+            if (usage) this.renderUsageIndicator();
+        }
+    }
+
+    renderUserMessage(message) {
+        const messageDiv = this.addMessage('user', message.content);
+        this.addMessageActions(messageDiv, message);
+        this.renderAttachments(messageDiv, message.attachments);
+    }
+
+    // "‹ 2 / 3 ›" above a message that was edited or regenerated, to flip
+    // between the versions; placed before `beforeNode` if given
+    renderBranchSwitcher(message, beforeNode = null) {
+        const siblings = this.agent.getSiblings(message.id);
+        if (siblings.length < 2) return;
+        const position = siblings.indexOf(message);
+
+        const step = (offset, icon, label) => {
+            const target = siblings[position + offset];
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-sm btn-link p-0';
+            button.title = label;
+            button.innerHTML = `<i class="bi ${icon}"></i>`;
+            button.disabled = !target;
+            button.addEventListener('click', () => this.showBranch(target.id));
+            return button;
+        };
+        const label = document.createElement('span');
+        label.textContent = `${position + 1} / ${siblings.length}`;
+
+        const switcher = document.createElement('div');
+        switcher.className = `branch-switcher small text-muted ${message.role}-branch`;
+        switcher.append(step(-1, 'bi-chevron-left', 'Previous version'), label, step(1, 'bi-chevron-right', 'Next version'));
+        this.chatContainer.insertBefore(switcher, beforeNode);
+    }
+
+    showBranch(id) {
+        try {
+            this.agent.switchBranch(id);
+        } catch (error) {
+            this.showAlert(error.message, 'warning');
+        }
+    }
+
+    // Edit (user messages) or regenerate (replies); both fork the conversation
+    addMessageActions(messageDiv, message) {
+        const edit = message.role === 'user';
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-link p-0';
+        button.title = edit ? 'Edit and resend' : 'Regenerate';
+        button.innerHTML = `<i class="bi ${edit ? 'bi-pencil' : 'bi-arrow-repeat'}"></i>`;
+        button.addEventListener('click', () => {
+            if (edit) {
+                this.startEditing(messageDiv, message);
+            } else {
+                this.runBranchAction(() => this.agent.regenerate(message.id));
+            }
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'message-actions float-end';
+        actions.appendChild(button);
+        messageDiv.prepend(actions);
+    }
+
+    startEditing(messageDiv, message) {
+        if (this.agent.isProcessing) return;
+        const body = messageDiv.querySelector('.message-body');
+        const textarea = document.createElement('textarea');
+        textarea.className = 'form-control form-control-sm';
+        textarea.rows = Math.min(10, Math.max(2, message.content.split('\n').length + 1));
+        textarea.value = message.content;
+
+        const sendBtn = document.createElement('button');
+        sendBtn.type = 'button';
+        sendBtn.className = 'btn btn-sm btn-primary';
+        sendBtn.textContent = 'Send';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'btn btn-sm btn-outline-secondary';
+        cancelBtn.textContent = 'Cancel';
+        const buttons = document.createElement('div');
+        buttons.className = 'd-flex gap-2 mt-1';
+        buttons.append(sendBtn, cancelBtn);
+
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+        editor.append(textarea, buttons);
+        body.replaceWith(editor);
+        textarea.focus();
+
+        cancelBtn.addEventListener('click', () => editor.replaceWith(body));
+        sendBtn.addEventListener('click', () => {
+            const text = textarea.value.trim();
+            if (text) this.runBranchAction(() => this.agent.editMessage(message.id, text));
+        });
+    }
+
+    async runBranchAction(run) {
+        if (this.agent.isProcessing) return;
+        if (!this.agent.canSend()) {
+            this.showAlert('Configure an LLM provider (or turn on simulation mode) first', 'warning');
+            return;
+        }
+        try {
+            await run();
+        } catch (error) {
+            // Already shown by the 'error' listener
+        }
+    }
+
+    finishStreamBubble() {
+        this.streamBubble?.classList.remove('streaming');
+        this.streamBubble = null;
+    }
+
+    // A tool call's bubble while it waits for a slot or runs, with a cancel
+    // button that stops just that call
+    addToolProgress(id, name) {
+        const bubble = this.addMessage('tool', `⏳ ${name} queued…`, true);
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'btn btn-sm btn-outline-secondary float-end tool-cancel';
+        cancelBtn.title = `Cancel ${name}`;
+        cancelBtn.innerHTML = '<i class="bi bi-x-lg"></i>';
+        cancelBtn.addEventListener('click', () => {
+            cancelBtn.disabled = true;
+            this.agent.cancelToolCall(id);
+        });
+        bubble.prepend(cancelBtn);
+        this.toolBubbles.set(id, { bubble, name, startedAt: null, note: '', timer: null });
+    }
+
+    updateToolProgress(id, changes) {
+        const entry = this.toolBubbles.get(id);
+        if (!entry) return;
+        Object.assign(entry, changes);
+        if (entry.startedAt && !entry.timer) {
+            entry.timer = setInterval(() => this.updateToolProgress(id, {}), 1000);
+        }
+        if (!entry.startedAt) return;
+        const seconds = Math.floor((Date.now() - entry.startedAt) / 1000);
+        this.updateMessage(entry.bubble, `🔧 Running ${entry.name}… ${seconds}s${entry.note ? `\n${entry.note}` : ''}`);
+    }
+
+    // Also used for stored tool messages; ones saved before statuses were kept count as ok
+    formatToolResult({ name, status = 'ok', result, error }) {
+        return {
+            ok: `✅ ${name} completed:\n${result}`,
+            error: result,
+            invalid: `⚠️ ${name} rejected invalid arguments:\n${result}`,
+            denied: `🚫 ${name} blocked by approval policy`,
+            rejected: `🚫 ${name} rejected by user${error ? `: ${error}` : ''}`,
+            cancelled: `⏹️ ${name} cancelled`,
+            timeout: `⏱️ ${error}`
+        }[status];
+    }
+
+    renderToolResult({ id, name, status, result, error }) {
+        const content = this.formatToolResult({ name, status, result, error });
+        const entry = this.toolBubbles.get(id);
+        this.toolBubbles.delete(id);
+        clearInterval(entry?.timer);
+        entry?.bubble.querySelector('.tool-cancel')?.remove();
+        const bubble = entry?.bubble;
+        if (bubble && status !== 'denied' && status !== 'rejected') {
+            bubble.classList.remove('thinking');
+            this.updateMessage(bubble, content);
+        } else {
+            bubble?.remove();
+            this.addMessage('tool', content);
+        }
     }
 
     async initializeAIPipe() {
+        let profile = null;
         try {
             // Import AI Pipe module
             const { getProfile } = await import("https://aipipe.org/aipipe.js");
-            const { token, email } = getProfile();
-            
-            if (token) {
-                this.aipipeToken = token;
-                this.showAlert(`AI Pipe authenticated as ${email}`, 'success');
-                this.enableLLMProvider();
-            } else {
-                // Redirect to AI Pipe login
-                const redirectUrl = encodeURIComponent(window.location.href);
-                this.showAlert('Redirecting to AI Pipe login...', 'info');
-                setTimeout(() => {
-                    window.location = `https://aipipe.org/login?redirect=${redirectUrl}`;
-                }, 2000);
-            }
+            profile = getProfile();
         } catch (error) {
             console.error('AI Pipe initialization failed:', error);
             this.showAlert('AI Pipe initialization failed, falling back to manual setup', 'warning');
-            this.initializeLLMProvider();
         }
+
+        if (profile?.token) {
+            try {
+                await this.agent.setAIPipeToken(profile.token, { email: profile.email });
+                this.forgetAIPipeLogin();
+                this.showAlert(`AI Pipe authenticated as ${profile.email}`, 'success');
+                if (!this.agent.llmProvider) this.agent.setProvider({ provider: 'aipipe', ...this.readModelSettings() });
+            } catch (error) {
+                this.showAlert(`AI Pipe token not saved: ${error.message}`, 'warning');
+            }
+        } else if (profile && !this.agent.llmProvider && this.agent.credentials.list().length === 0) {
+            // Nothing saved yet: sign in with AI Pipe
+            this.signInWithAIPipe();
+            return;
+        }
+        this.renderProviderSettings();
     }
 
-    enableLLMProvider() {
-        this.llmProvider = { provider: 'aipipe', apiKey: this.aipipeToken };
-        const container = document.getElementById('llm-provider-container');
-        container.innerHTML = `
-            <div class="alert alert-success">
-                <i class="bi bi-check-circle"></i> AI Pipe Connected
-                <small class="d-block">Using AI Pipe proxy for LLM access</small>
-            </div>
-        `;
-        this.userInput.disabled = false;
-        this.sendBtn.disabled = false;
+    signInWithAIPipe() {
+        const redirectUrl = encodeURIComponent(window.location.href);
+        this.showAlert('Redirecting to AI Pipe login...', 'info');
+        setTimeout(() => {
+            window.location = `https://aipipe.org/login?redirect=${redirectUrl}`;
+        }, 2000);
+    }
+
+    // aipipe.js keeps the token from its login redirect in its own
+    // localStorage keys; once the vault holds it, drop that plaintext copy
+    forgetAIPipeLogin() {
+        localStorage.removeItem('aipipe_token');
+        localStorage.removeItem('aipipe_email');
     }
 
     initializeUI() {
@@ -53,620 +328,1266 @@ class LLMAgent {
         this.userInput = document.getElementById('user-input');
         this.sendBtn = document.getElementById('send-btn');
         this.clearBtn = document.getElementById('clear-btn');
+        this.cancelBtn = document.getElementById('cancel-btn');
 
         this.sendBtn.addEventListener('click', () => this.handleUserInput());
         this.userInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter' && !this.isProcessing) {
+            if (e.key === 'Enter' && !this.agent.isProcessing) {
                 this.handleUserInput();
             }
         });
         this.clearBtn.addEventListener('click', () => this.clearChat());
+        this.cancelBtn.addEventListener('click', () => this.agent.cancelRun());
+        document.getElementById('simulation-toggle').addEventListener('change', (e) => {
+            this.agent.setSimulationMode(e.target.checked);
+        });
+        this.initializeAttachments();
+    }
+
+    initializeAttachments() {
+        this.attachmentTray = document.getElementById('attachment-tray');
+        const fileInput = document.getElementById('attachment-input');
+        if (!fileInput) return;
+        document.getElementById('attach-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async (e) => {
+            await this.addAttachmentFiles([...e.target.files]);
+            e.target.value = '';
+        });
+
+        [this.chatContainer, this.userInput].forEach(target => {
+            target.addEventListener('dragover', (e) => {
+                if (![...e.dataTransfer.types].includes('Files')) return;
+                e.preventDefault();
+                this.chatContainer.classList.add('drop-target');
+            });
+            target.addEventListener('dragleave', () => this.chatContainer.classList.remove('drop-target'));
+            target.addEventListener('drop', (e) => {
+                e.preventDefault();
+                this.chatContainer.classList.remove('drop-target');
+                this.addAttachmentFiles([...e.dataTransfer.files]);
+            });
+        });
+    }
+
+    async addAttachmentFiles(files) {
+        for (const file of files) {
+            try {
+                this.pendingAttachments.push(await this.agent.readAttachment(file));
+            } catch (error) {
+                this.showAlert(error.message, 'warning');
+            }
+        }
+        this.renderAttachmentTray();
+    }
+
+    renderAttachmentTray() {
+        if (!this.attachmentTray) return;
+        this.attachmentTray.innerHTML = '';
+        this.pendingAttachments.forEach(attachment => {
+            const chip = this.createAttachmentChip(attachment);
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn-close btn-close-sm ms-1';
+            remove.title = `Remove ${attachment.name}`;
+            remove.addEventListener('click', () => {
+                this.pendingAttachments = this.pendingAttachments.filter(a => a !== attachment);
+                this.renderAttachmentTray();
+            });
+            chip.appendChild(remove);
+            this.attachmentTray.appendChild(chip);
+        });
+    }
+
+    createAttachmentChip({ name, size, kind }) {
+        const chip = document.createElement('span');
+        chip.className = 'badge text-bg-light border attachment-chip d-inline-flex align-items-center';
+        const icon = kind === 'image' ? 'bi-image' : 'bi-file-earmark-text';
+        chip.innerHTML = `<i class="bi ${icon} me-1"></i>`;
+        chip.append(`${name} (${Math.max(1, Math.round(size / 1024))} KB)`);
+        return chip;
+    }
+
+    // Images are shown inline; text files as chips whose tooltip previews the start
+    renderAttachments(messageDiv, attachments) {
+        if (!attachments || attachments.length === 0) return;
+        const container = document.createElement('div');
+        container.className = 'message-attachments';
+        attachments.forEach(attachment => {
+            if (attachment.kind === 'image' && /^data:image\//.test(attachment.data)) {
+                const image = document.createElement('img');
+                image.className = 'attachment-thumb';
+                image.src = attachment.data;
+                image.alt = attachment.name;
+                image.title = attachment.name;
+                container.appendChild(image);
+            } else {
+                const chip = this.createAttachmentChip(attachment);
+                chip.title = String(attachment.data).slice(0, 300);
+                container.appendChild(chip);
+            }
+        });
+        messageDiv.appendChild(container);
     }
 
-    initializeLLMProvider() {
-        // Fallback manual provider selection
+    // Provider, key, base URL and model. The selection is restored from the
+    // agent; a typed key is handed to the credential vault and cleared from
+    // the field, which from then on only hints at the saved key.
+    renderProviderSettings() {
+        const current = this.agent.llmProvider;
+        const options = Object.entries(LLM_PROVIDERS)
+            .map(([id, config]) => `<option value="${id}">${config.label}</option>`)
+            .join('');
         const container = document.getElementById('llm-provider-container');
         container.innerHTML = `
             <select id="provider-select" class="form-select">
                 <option value="">Select LLM Provider...</option>
-                <option value="aipipe">AI Pipe (Recommended)</option>
-                <option value="openai">OpenAI Direct</option>
-                <option value="anthropic">Anthropic</option>
+                ${options}
             </select>
-            <div class="mt-2">
-                <input type="password" id="api-key" class="form-control" 
-                       placeholder="Enter API Key or AI Pipe Token...">
+            <div class="input-group mt-2">
+                <input type="password" id="api-key" class="form-control" autocomplete="off">
+                <button type="button" id="aipipe-login-btn" class="btn btn-outline-secondary d-none">Sign in with AI Pipe</button>
+            </div>
+            <div class="mt-2 d-none" id="base-url-group">
+                <input type="url" id="base-url" class="form-control"
+                       placeholder="Base URL, e.g. ${LLM_PROVIDERS['openai-compatible'].baseUrl}">
             </div>
+            ${this.renderModelSettings(current?.provider || '')}
         `;
 
-        document.getElementById('provider-select').addEventListener('change', (e) => {
-            this.updateLLMProvider(e.target.value);
+        const providerSelect = document.getElementById('provider-select');
+        providerSelect.value = current?.provider || '';
+        document.getElementById('base-url').value = current?.baseUrl || '';
+        if (current?.model && current.model !== LLM_PROVIDERS[current.provider].model) {
+            document.getElementById('model-input').value = current.model;
+        }
+        if (current?.maxTokens && current.maxTokens !== DEFAULT_MAX_TOKENS) {
+            document.getElementById('max-tokens-input').value = current.maxTokens;
+        }
+        this.updateProviderFields();
+
+        providerSelect.addEventListener('change', () => {
+            this.updateProviderFields();
+            this.updateLLMProvider(providerSelect.value);
         });
+        // Keys are often pasted after picking the provider, so the key field applies on its own too
+        document.getElementById('api-key').addEventListener('change', () => this.updateLLMProvider(providerSelect.value));
+        document.getElementById('base-url').addEventListener('change', () => this.updateLLMProvider(providerSelect.value));
+        document.getElementById('aipipe-login-btn').addEventListener('click', () => this.signInWithAIPipe());
+        this.bindModelSettings(() => this.updateLLMProvider(providerSelect.value));
+    }
+
+    updateProviderFields() {
+        const provider = document.getElementById('provider-select')?.value;
+        if (provider === undefined) return;
+        const config = LLM_PROVIDERS[provider];
+        const saved = this.agent.credentials.list().find(entry => entry.id === provider);
+        const keyInput = document.getElementById('api-key');
+        keyInput.placeholder = saved?.locked ? 'Saved key is locked (unlock it under API keys)'
+            : saved ? `Saved key ${saved.hint} (type to replace)`
+            : provider === 'aipipe' ? 'AI Pipe token'
+            : config?.keyOptional ? 'API key (optional)' : 'Enter API Key...';
+        document.getElementById('aipipe-login-btn').classList.toggle('d-none', provider !== 'aipipe' || Boolean(saved));
+        document.getElementById('base-url-group').classList.toggle('d-none', provider !== 'openai-compatible');
+        document.getElementById('model-input').placeholder = config ? config.model : 'Model';
     }
 
     updateLLMProvider(provider) {
-        const apiKey = document.getElementById('api-key').value;
-        if (provider && apiKey) {
-            this.llmProvider = { provider, apiKey };
-            this.userInput.disabled = false;
-            this.sendBtn.disabled = false;
-            this.showAlert(`${provider} provider configured successfully!`, 'success');
-        } else {
-            this.llmProvider = null;
-            this.userInput.disabled = true;
-            this.sendBtn.disabled = true;
+        const keyInput = document.getElementById('api-key');
+        const apiKey = keyInput.value.trim();
+        const config = LLM_PROVIDERS[provider];
+        if (!config) {
+            this.agent.setProvider(null);
+            return;
+        }
+        const baseUrl = provider === 'openai-compatible'
+            ? document.getElementById('base-url').value.trim().replace(/\/+$/, '')
+            : '';
+        try {
+            this.agent.setProvider({ provider, ...(apiKey ? { apiKey } : {}), ...this.readModelSettings(), ...(baseUrl ? { baseUrl } : {}) });
+        } catch (error) {
+            this.showAlert(`Provider not configured: ${error.message}`, 'danger');
+            return;
+        }
+        keyInput.value = '';
+        this.updateProviderFields();
+        if (this.agent.hasProviderKey()) {
+            this.showAlert(`${config.label} provider configured successfully!`, 'success');
+        } else if (this.agent.credentials.has(provider)) {
+            this.showAlert(`The saved ${config.label} key belongs to another base URL; enter it again for this one`, 'warning');
+        } else if (!this.agent.credentials.locked) {
+            this.showAlert(`Enter your ${config.label} key to start chatting`, 'info');
         }
     }
 
-    initializeTools() {
-        this.tools = [
-            {
-                type: "function",
-                function: {
-                    name: "google_search",
-                    description: "Search Google for information and return snippet results",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            query: {
-                                type: "string",
-                                description: "The search query"
-                            }
-                        },
-                        required: ["query"]
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "ai_pipe",
-                    description: "Execute an AI workflow using the aipipe proxy",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            workflow: {
-                                type: "string",
-                                description: "The workflow description or pipeline to execute"
-                            }
-                        },
-                        required: ["workflow"]
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "execute_js",
-                    description: "Execute JavaScript code in the browser and return results",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            code: {
-                                type: "string",
-                                description: "The JavaScript code to execute"
-                            }
-                        },
-                        required: ["code"]
-                    }
+    renderModelSettings(provider) {
+        const defaultModel = LLM_PROVIDERS[provider]?.model || 'Model';
+        return `
+            <div class="row g-2 mt-1">
+                <div class="col-8">
+                    <input type="text" id="model-input" class="form-control form-control-sm"
+                           placeholder="${defaultModel}" title="Model (leave blank for the provider default)">
+                </div>
+                <div class="col-4">
+                    <input type="number" id="max-tokens-input" class="form-control form-control-sm" min="1"
+                           placeholder="${DEFAULT_MAX_TOKENS}" title="Max output tokens">
+                </div>
+            </div>
+        `;
+    }
+
+    bindModelSettings(onChange) {
+        document.getElementById('model-input').addEventListener('change', onChange);
+        document.getElementById('max-tokens-input').addEventListener('change', onChange);
+    }
+
+    readModelSettings() {
+        const modelInput = document.getElementById('model-input');
+        const maxTokensInput = document.getElementById('max-tokens-input');
+        const maxTokens = parseInt(maxTokensInput?.value, 10);
+        return {
+            // Left unset so a later change of the provider default applies
+            model: modelInput?.value.trim() || undefined,
+            maxTokens: maxTokens > 0 ? maxTokens : DEFAULT_MAX_TOKENS
+        };
+    }
+
+    initializePresets() {
+        const form = document.getElementById('preset-form');
+        if (!form) return;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePresetFromForm(this.agent.activePresetId);
+        });
+        document.getElementById('preset-select').addEventListener('change', (e) => this.agent.selectPreset(e.target.value));
+        document.getElementById('preset-save-as-btn').addEventListener('click', () => {
+            const label = window.prompt('Name for the new preset');
+            if (!label || !label.trim()) return;
+            const id = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-');
+            this.savePresetFromForm(id, label.trim());
+        });
+        document.getElementById('preset-delete-btn').addEventListener('click', () => this.confirmDeletePreset(this.agent.activePresetId));
+        this.renderPresetSettings();
+    }
+
+    confirmDeletePreset(id) {
+        const preset = this.agent.customPresets[id];
+        if (!preset) return;
+        const question = BUILTIN_PRESETS[id] ? `Reset "${preset.label}" to its built-in settings?` : `Delete preset "${preset.label}"?`;
+        if (window.confirm(question)) this.agent.deletePreset(id);
+    }
+
+    savePresetFromForm(id, label) {
+        const readNumber = (elementId, min, max) => {
+            const raw = document.getElementById(elementId).value.trim();
+            if (raw === '') return null;
+            const value = parseFloat(raw);
+            if (!(value >= min && value <= max)) throw new Error(`${elementId.replace(/-input$/, '')} must be between ${min} and ${max}`);
+            return value;
+        };
+        try {
+            const enabledTools = [...this.agent.toolRegistry.values()].filter(tool => tool.enabled).map(tool => tool.name);
+            this.agent.savePreset(id, {
+                label: label || this.agent.getActivePreset().label,
+                systemPrompt: document.getElementById('system-prompt-input').value.trim(),
+                model: document.getElementById('preset-model-input').value.trim(),
+                temperature: readNumber('temperature-input', 0, 2),
+                topP: readNumber('top-p-input', 0, 1),
+                toolChoice: document.getElementById('tool-choice-select').value,
+                tools: enabledTools.length === this.agent.toolRegistry.size ? null : enabledTools
+            });
+            this.showAlert(`Saved preset "${this.agent.getActivePreset().label}"`, 'success');
+        } catch (error) {
+            this.showAlert(`Preset not saved: ${error.message}`, 'danger');
+        }
+    }
+
+    renderPresetSettings() {
+        const select = document.getElementById('preset-select');
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.entries(this.agent.getPresets()).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.label;
+            option.selected = id === this.agent.activePresetId;
+            select.appendChild(option);
+        });
+
+        const preset = this.agent.getActivePreset();
+        document.getElementById('system-prompt-input').value = preset.systemPrompt || '';
+        document.getElementById('preset-model-input').value = preset.model || '';
+        document.getElementById('temperature-input').value = preset.temperature ?? '';
+        document.getElementById('top-p-input').value = preset.topP ?? '';
+        document.getElementById('tool-choice-select').value = preset.toolChoice || 'auto';
+
+        const deleteBtn = document.getElementById('preset-delete-btn');
+        deleteBtn.disabled = !this.agent.customPresets[this.agent.activePresetId];
+        deleteBtn.textContent = BUILTIN_PRESETS[this.agent.activePresetId] ? 'Reset' : 'Delete';
+        document.getElementById('preset-badge').textContent = preset.label;
+    }
+
+    initializeSessions() {
+        this.sessionList = document.getElementById('session-list');
+        document.getElementById('new-session-btn').addEventListener('click', () => this.clearChat());
+
+        const importInput = document.getElementById('import-session-input');
+        document.getElementById('import-session-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            if (file) this.importSessionFile(file);
+            e.target.value = '';
+        });
+
+        this.agent.resumeLastSession();
+    }
+
+    renameSession(id) {
+        const entry = this.agent.listSessions().find(session => session.id === id);
+        if (!entry) return;
+        const title = window.prompt('Rename conversation', entry.title);
+        if (title) this.agent.renameSession(id, title);
+    }
+
+    deleteSession(id) {
+        if (window.confirm('Delete this conversation?')) this.agent.deleteSession(id);
+    }
+
+    exportSession(id) {
+        const payload = this.agent.exportSession(id);
+        if (!payload) return;
+        const name = payload.session.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'conversation';
+        this.downloadJson(payload, `${name}.json`);
+    }
+
+    async importSessionFile(file) {
+        try {
+            const session = this.agent.importSession(JSON.parse(await file.text()), file.name.replace(/\.json$/i, ''));
+            this.showAlert(`Imported "${session.title}"`, 'success');
+        } catch (error) {
+            this.showAlert(`Import failed: ${error.message}`, 'danger');
+        }
+    }
+
+    downloadJson(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Rebuilds the chat view from this.agent.messages, e.g. after resuming a session
+    renderConversation() {
+        this.chatContainer.innerHTML = '';
+        const toolNames = {};
+        const usageByMessage = new Map(this.agent.usage.calls.map(call => [call.messageId, call]));
+
+        this.agent.messages.forEach(message => {
+            if (message.role !== 'tool') this.renderBranchSwitcher(message);
+            if (message.role === 'user') {
+                this.renderUserMessage(message);
+            } else if (message.role === 'assistant') {
+                if (message.content) {
+                    const messageDiv = this.addMessage('agent', message.content);
+                    this.addMessageActions(messageDiv, message);
+                    if (usageByMessage.has(message.id)) this.renderUsageFooter(messageDiv, usageByMessage.get(message.id));
                 }
+                (message.tool_calls || []).forEach(call => {
+                    toolNames[call.id] = call.function.name;
+                });
+            } else if (message.role === 'tool') {
+                const name = toolNames[message.tool_call_id] || 'tool';
+                this.addMessage('tool', this.formatToolResult({ name, status: message.status, result: message.content, error: message.error }));
             }
-        ];
+        });
+        // "Last turn" follows the branch being shown
+        this.renderUsageIndicator();
+    }
+
+    renderSessionList() {
+        if (!this.sessionList) return;
+        this.sessionList.innerHTML = '';
+
+        this.agent.listSessions().forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex align-items-center gap-1 px-2';
+            if (this.agent.session && entry.id === this.agent.session.id) item.classList.add('active');
+
+            const title = document.createElement('button');
+            title.type = 'button';
+            title.className = 'btn btn-link text-start text-truncate flex-grow-1 p-0 session-title';
+            title.textContent = entry.title;
+            title.title = `Updated ${new Date(entry.updatedAt).toLocaleString()}`;
+            title.addEventListener('click', () => this.agent.resumeSession(entry.id));
+
+            const actions = [
+                ['bi-pencil', 'Rename', () => this.renameSession(entry.id)],
+                ['bi-download', 'Export', () => this.exportSession(entry.id)],
+                ['bi-trash', 'Delete', () => this.deleteSession(entry.id)]
+            ].map(([icon, label, handler]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-sm btn-link p-0 session-action';
+                button.title = label;
+                button.innerHTML = `<i class="bi ${icon}"></i>`;
+                button.addEventListener('click', handler);
+                return button;
+            });
+
+            item.append(title, ...actions);
+            this.sessionList.appendChild(item);
+        });
+    }
+
+    renderToolList() {
+        const container = document.getElementById('tool-list');
+        if (!container) return;
+        container.innerHTML = '';
+
+        this.agent.toolRegistry.forEach(tool => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'form-check form-switch form-check-inline';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-check-input';
+            checkbox.id = `tool-toggle-${tool.name}`;
+            checkbox.checked = tool.enabled;
+            checkbox.addEventListener('change', (e) => this.agent.setToolEnabled(tool.name, e.target.checked));
+
+            const label = document.createElement('label');
+            label.className = 'form-check-label';
+            label.htmlFor = checkbox.id;
+            label.textContent = tool.label;
+            label.title = tool.description;
+
+            const policy = document.createElement('select');
+            policy.className = 'form-select form-select-sm d-inline-block w-auto ms-1 tool-approval';
+            policy.title = `Approval policy for ${tool.label}`;
+            APPROVAL_POLICIES.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = { auto: 'Auto-run', ask: 'Ask first', deny: 'Deny' }[value];
+                option.selected = tool.approval === value;
+                policy.appendChild(option);
+            });
+            policy.addEventListener('change', (e) => this.agent.setToolApproval(tool.name, e.target.value));
+
+            wrapper.append(checkbox, label, policy);
+            container.appendChild(wrapper);
+        });
     }
 
     async handleUserInput() {
-    const input = this.userInput.value.trim();
-    if (!input || !this.llmProvider || this.isProcessing) return;
-  
-    this.userInput.value = '';
-    this.isProcessing = true;
-    this.updateUI();
-  
-    // Add user message
-    this.addMessage('user', input);
-    this.messages.push({ role: 'user', content: input });
-  
-    try {
-      // Single invocation of agentLoop will process until no more tools are requested
-      await this.agentLoop();
-    } catch (error) {
-      this.showAlert(`Error: ${error.message}`, 'danger');
-    } finally {
-      this.isProcessing = false;
-      this.updateUI();
-    }
-    }
-    
-    // 1) Update agentLoop() so it only loops while there are toolCalls,
-//    and always breaks once model has no further tools to invoke.
-
-    async agentLoop() {
-      while (true) {
-        const { output, toolCalls } = await this.queryLLM();
-    
-        // Display model reply
-        if (output) {
-          this.addMessage('agent', output);
-          this.messages.push({ role: 'assistant', content: output });
-        }
-    
-        // If model requested tools, execute them…
-        if (toolCalls && toolCalls.length > 0) {
-          const results = await Promise.all(toolCalls.map(tc => this.handleToolCall(tc)));
-          results.forEach(r => {
-            this.messages.push({ role: 'tool', tool_call_id: r.toolCallId, content: r.content });
-          });
-    
-          // Provide a final follow-up after tool execution
-          const finalMsg = this.generateFinalResponse(results);
-          this.addMessage('agent', finalMsg);
-          this.messages.push({ role: 'assistant', content: finalMsg });
-    
-          // Then break—don’t loop again
-          break;
-        } 
-    
-        // No toolCalls => finished this request, return control
-        break;
-      }
-    }
-    
-    // 2) Ensure generateFinalResponse covers the Fibonacci case:
-    generateFinalResponse(toolResults) {
-      const content = toolResults[0].content || '';
-      if (content.includes('Fibonacci sequence')) {
-        return "Here's the Fibonacci sequence! Let me know if you'd like a different length or any other calculation.";
-      } else if (content.includes('Search Results')) {
-        return "I found those resources—anything more specific you'd like me to look for?";
-      } else if (content.includes('Code executed successfully')) {
-        return "The code ran successfully! Anything else you'd like me to calculate or run?";
-      } else if (content.includes('AI Pipe Workflow Executed')) {
-        return "The AI workflow completed! Need another workflow or analysis?";
-      }
-      return "Task completed! How else can I assist you?";
-    }
-
-    
-    async queryLLM() {
-      if (!this.llmProvider) throw new Error('No LLM provider configured');
-    
-      if (this.aipipeToken || this.llmProvider.provider === 'aipipe') {
+        const input = this.userInput.value.trim();
+        const attachments = this.pendingAttachments;
+        if ((!input && attachments.length === 0) || !this.agent.canSend() || this.agent.isProcessing) return;
+
+        this.userInput.value = '';
+        this.pendingAttachments = [];
+        this.renderAttachmentTray();
         try {
-          return await this.callRealLLM();
-        } catch (err) {
-          console.error('Real LLM API failed:', err);
-          this.showAlert('LLM API error, switching to simulation mode', 'warning');
-          return await this.simulateLLMCall();
-        }
-      } else {
-        return await this.simulateLLMCall();
-      }
-    }
-    
-    async callRealLLM() {
-      const baseUrl =
-        this.llmProvider.provider === 'aipipe'
-          ? 'https://aipipe.org/openai/v1'
-          : 'https://api.openai.com/v1';
-    
-      const response = await fetch(`${baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${this.llmProvider.apiKey}`,
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o-mini',
-          messages: this.messages,
-          tools: this.tools,
-          tool_choice: 'auto',
-          max_tokens: 1000,
-        }),
-      });
-    
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-    
-      const data = await response.json();
-    
-      // Validate structure before use
-      const msg = data.choices?.[0]?.message;
-      if (!msg || typeof msg.content !== 'string') {
-        throw new Error('Invalid LLM response format');
-      }
-    
-      return {
-        output: msg.content,
-        toolCalls: Array.isArray(msg.tool_calls) ? msg.tool_calls : null,
-      };
-    }
-    
-
-    async callRealLLM() {
-        const baseUrl = this.llmProvider.provider === 'aipipe' 
-            ? 'https://aipipe.org/openai/v1' 
-            : 'https://api.openai.com/v1';
-
-        const response = await fetch(`${baseUrl}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.llmProvider.apiKey}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o-mini',
-                messages: this.messages,
-                tools: this.tools,
-                tool_choice: 'auto',
-                max_tokens: 1000
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error(`LLM API error: ${response.status} ${response.statusText}`);
+            await this.agent.send(input, { attachments });
+        } catch (error) {
+            // Already shown by the 'error' listener
         }
+    }
 
-        const data = await response.json();
-        const message = data.choices[0].message;
-        
-        return {
-            output: message.content,
-            toolCalls: message.tool_calls || null
-        };
+    renderContextIndicator() {
+        const indicator = document.getElementById('context-indicator');
+        if (!indicator || !this.agent.contextStats) return;
+
+        const { used, contextWindow, clippedResults, droppedMessages } = this.agent.contextStats;
+        const percent = Math.min(100, Math.round((used / contextWindow) * 100));
+        const level = percent >= 90 ? 'bg-danger' : percent >= 70 ? 'bg-warning' : 'bg-success';
+        const notes = [];
+        if (clippedResults > 0) notes.push(`${clippedResults} tool result(s) clipped`);
+        if (droppedMessages > 0) notes.push(`${droppedMessages} older message(s) summarized`);
+
+        indicator.innerHTML = `
+            <div class="d-flex justify-content-between small text-muted">
+                <span>Context: ~${used.toLocaleString()} / ${contextWindow.toLocaleString()} tokens</span>
+                <span>${notes.join(' · ')}</span>
+            </div>
+            <div class="progress" style="height: 4px;">
+                <div class="progress-bar ${level}" style="width: ${percent}%"></div>
+            </div>
+        `;
     }
 
-    async simulateLLMCall() {
-      await this.delay(800);
-      const last = this.messages[this.messages.length - 1].content.trim();
-      const lc = last.toLowerCase();
-    
-      // 0) If the user just typed a topic/title (two or more words) with no explicit intent, treat as search
-      if (last.split(' ').length >= 2 && 
-          !lc.includes('search') && 
-          !lc.includes('run') && 
-          !lc.includes('calculate') && 
-          !lc.includes('pipeline') && 
-          !lc.includes('workflow') && 
-          !lc.includes('what can you do')) {
-        const query = last;
-        return {
-          output: `I'll search for information about "${query}" to help you.`,
-          toolCalls: [{
-            id: 'search_' + Date.now(),
-            type: 'function',
-            function: {
-              name: 'google_search',
-              arguments: JSON.stringify({ query })
-            }
-          }]
-        };
-      }
-    
-      // 1) Workflow/pipeline intents first
-      if (lc.includes('pipeline') || lc.includes('workflow') || lc.includes('text processing') || lc.includes('ai pipe')) {
-        return {
-          output: "I'll execute an AI workflow for you using the AI Pipe system.",
-          toolCalls: [{
-            id: 'pipe_' + Date.now(),
-            type: 'function',
-            function: {
-              name: 'ai_pipe',
-              arguments: JSON.stringify({ workflow: lc })
+    initializeCredentials() {
+        const form = document.getElementById('credential-passphrase-form');
+        if (!form) return;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitPassphrase();
+        });
+        document.getElementById('credential-lock-btn').addEventListener('click', () => {
+            this.agent.credentials.lock().catch(error => this.showAlert(error.message, 'danger'));
+        });
+        this.renderCredentialPanel();
+    }
+
+    // One form, three jobs: unlock a locked vault, encrypt a plain one, or
+    // change (or, left empty, remove) the passphrase of an unlocked one
+    async submitPassphrase() {
+        const input = document.getElementById('credential-passphrase');
+        const passphrase = input.value;
+        const vault = this.agent.credentials;
+        try {
+            if (vault.locked) {
+                await vault.unlock(passphrase);
+                this.showAlert('API keys unlocked', 'success');
+                // Servers whose token was locked away can connect now
+                this.agent.listMCPServers()
+                    .filter(server => server.status === 'error')
+                    .forEach(server => this.agent.connectMCPServer(server.id).catch(() => {}));
+            } else if (passphrase) {
+                await vault.setPassphrase(passphrase);
+                this.showAlert('API keys encrypted with your passphrase', 'success');
+            } else if (vault.encrypted && window.confirm('Store the saved API keys unencrypted in this browser?')) {
+                await vault.setPassphrase('');
+                this.showAlert('Passphrase removed', 'info');
             }
-          }]
-        };
-      }
-    
-      // 2) Search intents
-      if (lc.includes('search') || lc.includes('find') || lc.includes('look up') || lc.includes('information about')) {
-        const q = this.extractSearchQuery(lc);
-        return {
-          output: `I'll search for information about "${q}" to help you.`,
-          toolCalls: [{
-            id: 'search_' + Date.now(),
-            type: 'function',
-            function: {
-              name: 'google_search',
-              arguments: JSON.stringify({ query: q })
+            input.value = '';
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        }
+    }
+
+    renderCredentialPanel() {
+        const list = document.getElementById('credential-list');
+        if (!list) return;
+        const vault = this.agent.credentials;
+        const entries = vault.list();
+
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex align-items-center gap-2 px-1 py-1 small';
+            const text = document.createElement('div');
+            text.className = 'flex-grow-1 text-truncate';
+            text.textContent = entry.locked ? entry.id : `${entry.label} ${entry.hint}`;
+            if (entry.origin) {
+                const origin = document.createElement('span');
+                origin.className = 'text-muted ms-1';
+                origin.textContent = entry.origin.replace(/^https?:\/\//, '');
+                text.appendChild(origin);
             }
-          }]
-        };
-      }
-    
-      // 3) Code/math intents
-      if (lc.includes('fibonacci') || lc.includes('calculate') || lc.includes('math') || lc.includes('run')) {
-        let desc = lc.includes('fibonacci')
-          ? "I'll generate the Fibonacci sequence using JavaScript."
-          : "I'll perform some mathematical calculations for you.";
-        return {
-          output: desc,
-          toolCalls: [{
-            id: 'js_' + Date.now(),
-            type: 'function',
-            function: {
-              name: 'execute_js',
-              arguments: JSON.stringify({ code: this.generateSampleCode(lc) })
+            if (entry.remembered === false) text.title = 'Only kept until this page is closed';
+            item.appendChild(text);
+
+            if (!entry.locked) {
+                const action = (icon, title, onClick) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'btn btn-sm btn-link p-0';
+                    button.title = title;
+                    button.innerHTML = `<i class="bi ${icon}"></i>`;
+                    button.addEventListener('click', onClick);
+                    return button;
+                };
+                item.append(
+                    action('bi-arrow-repeat', 'Replace key', () => {
+                        const secret = window.prompt(`New key for ${entry.label}`);
+                        if (!secret?.trim()) return;
+                        this.agent.saveCredential(entry.id, secret.trim(), { baseUrl: entry.origin, label: entry.label })
+                            .then(() => this.showAlert(`${entry.label} key replaced`, 'success'), () => {});
+                    }),
+                    action('bi-box-arrow-right', 'Sign out', () => {
+                        if (!window.confirm(`Sign out of ${entry.label}? Its saved key is deleted.`)) return;
+                        if (entry.id === 'aipipe') this.forgetAIPipeLogin();
+                        this.agent.signOut(entry.id).catch(error => this.showAlert(error.message, 'danger'));
+                    })
+                );
             }
-          }]
-        };
-      }
-    
-      // 4) Conversational / fallback
-      if (lc.includes('what can you do') || lc.includes('capabilities') || lc.includes('help')) {
-        return {
-          output: `I'm an LLM agent with multiple tool capabilities! I can:\n\n🔍 Search for information\n💻 Execute JavaScript code\n🤖 Run AI workflows\n💬 Have conversations\n\nTry "search for...", "calculate...", or "run workflow for..." to see me in action!`,
-          toolCalls: null
-        };
-      }
-    
-      // Generic fallback
-      const responses = [
-        `I understand you're asking about: "${last}". How can I assist you further?`,
-        `That's interesting! Tell me more about what you'd like to know or do.`,
-        `I'm here to help! You can ask me to search for information, run code, or execute AI workflows.`
-      ];
-      return { output: responses[Math.floor(Math.random() * responses.length)], toolCalls: null };
-    }
-    
-
-
-    extractSearchQuery(content) {
-        const words = content.split(' ');
-        const stopWords = ['search', 'find', 'look', 'up', 'for', 'about', 'the', 'a', 'an', 'information', 'me', 'please'];
-        const importantWords = words.filter(word => 
-            !stopWords.includes(word.toLowerCase()) && word.length > 2
-        );
-        return importantWords.join(' ') || 'general information';
-    }
-
-    generateSampleCode(content) {
-        const lowerContent = content.toLowerCase();
-        
-        if (lowerContent.includes('fibonacci')) {
-            return `
-// Fibonacci sequence generator
-function fibonacci(n) {
-    if (n <= 1) return n;
-    let a = 0, b = 1;
-    const sequence = [a, b];
-    
-    for (let i = 2; i < n; i++) {
-        const next = a + b;
-        sequence.push(next);
-        a = b;
-        b = next;
-    }
-    return sequence;
-}
+            list.appendChild(item);
+        });
+        if (entries.length === 0) {
+            list.innerHTML = '<li class="list-group-item px-1 py-1 small text-muted">No saved keys</li>';
+        }
+
+        document.getElementById('credential-lock-icon').classList.toggle('d-none', !vault.locked);
+        document.getElementById('credential-lock-btn').classList.toggle('d-none', vault.locked || !vault.encrypted);
+        document.getElementById('credential-passphrase-btn').textContent = vault.locked ? 'Unlock'
+            : vault.encrypted ? 'Change passphrase' : 'Encrypt';
+        document.getElementById('credential-status').textContent = vault.locked
+            ? 'Locked. Enter your passphrase to use the saved keys.'
+            : vault.encrypted
+                ? 'Encrypted with your passphrase. Submit an empty passphrase to remove it.'
+                : 'Saved unencrypted in this browser. Set a passphrase to encrypt them.';
+
+        let forget = document.getElementById('credential-forget-btn');
+        if (vault.locked && !forget) {
+            forget = document.createElement('button');
+            forget.type = 'button';
+            forget.id = 'credential-forget-btn';
+            forget.className = 'btn btn-sm btn-link text-danger p-0 align-self-start';
+            forget.textContent = 'Forgot passphrase? Delete all saved keys';
+            forget.addEventListener('click', () => {
+                if (window.confirm('Delete every saved API key? You will need to enter them again.')) vault.forget();
+            });
+            document.getElementById('credential-status').after(forget);
+        } else if (!vault.locked) {
+            forget?.remove();
+        }
+    }
+
+    initializeUsageSettings() {
+        const form = document.getElementById('usage-settings-form');
+        if (!form) return;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitUsageSettings();
+        });
+        const { softLimitUsd, hardLimitUsd, prices } = this.agent.usageSettings;
+        document.getElementById('soft-limit-usd').value = softLimitUsd ?? '';
+        document.getElementById('hard-limit-usd').value = hardLimitUsd ?? '';
+        document.getElementById('price-overrides').value = Object.keys(prices).length > 0
+            ? JSON.stringify(prices, null, 2)
+            : '';
+    }
 
-const fibResult = fibonacci(10);
-console.log('Fibonacci sequence (10 numbers):', fibResult);
-fibResult;
-            `.trim();
-        } else if (lowerContent.includes('calculate') || lowerContent.includes('math')) {
-            return `
-// Various math calculations
-const calculations = {
-    square: (x) => x * x,
-    factorial: (n) => n <= 1 ? 1 : n * calculations.factorial(n - 1),
-    prime: (n) => {
-        if (n < 2) return false;
-        for (let i = 2; i <= Math.sqrt(n); i++) {
-            if (n % i === 0) return false;
+    submitUsageSettings() {
+        try {
+            const raw = document.getElementById('price-overrides').value.trim();
+            this.agent.saveUsageSettings({
+                prices: raw ? JSON.parse(raw) : {},
+                softLimitUsd: parseFloat(document.getElementById('soft-limit-usd').value),
+                hardLimitUsd: parseFloat(document.getElementById('hard-limit-usd').value)
+            });
+            this.showAlert('Usage settings saved', 'success');
+        } catch (error) {
+            this.showAlert(`Price overrides not saved: ${error.message}`, 'danger');
         }
-        return true;
-    }
-};
-
-const results = {
-    square_of_12: calculations.square(12),
-    factorial_of_5: calculations.factorial(5),
-    is_17_prime: calculations.prime(17),
-    random_calculation: Math.PI * 2
-};
-
-console.log('Math calculations:', results);
-results;
-            `.trim();
-        } else if (lowerContent.includes('date') || lowerContent.includes('time')) {
-            return `
-// Date and time operations
-const now = new Date();
-const timeInfo = {
-    current: now.toLocaleString(),
-    timestamp: now.getTime(),
-    day_of_week: now.toLocaleDateString('en-US', { weekday: 'long' }),
-    days_until_new_year: Math.ceil((new Date('2026-01-01') - now) / (1000 * 60 * 60 * 24))
-};
-
-console.log('Time information:', timeInfo);
-timeInfo;
-            `.trim();
+    }
+
+    formatUsage({ promptTokens, completionTokens, cost, estimated, unpriced }) {
+        const prefix = estimated ? '~' : '';
+        const price = cost === null || unpriced ? ' · cost unknown' : ` · ${prefix}${formatCost(cost)}`;
+        return `${prefix}${promptTokens.toLocaleString()} in / ${prefix}${completionTokens.toLocaleString()} out tokens${price}`;
+    }
+
+    renderUsageFooter(messageDiv, entry) {
+        const footer = document.createElement('div');
+        footer.className = 'message-usage small text-muted';
+        footer.textContent = `${entry.model} · ${this.formatUsage(entry)}`;
+        footer.title = entry.estimated ? 'The provider did not report usage; token counts are estimated' : '';
+        messageDiv.appendChild(footer);
+    }
+
+    renderUsageIndicator() {
+        const indicator = document.getElementById('usage-indicator');
+        if (!indicator || !this.agent.usage) return;
+
+        const calls = this.agent.usage.calls;
+        if (calls.length === 0) {
+            indicator.textContent = '';
+            return;
         }
-        
-        return `
-// Sample JavaScript demonstration
-const demo = {
-    greeting: "Hello from the LLM Agent!",
-    timestamp: new Date().toISOString(),
-    random_number: Math.floor(Math.random() * 100),
-    calculation: 2 ** 10,
-};
-
-console.log('Demo output:', demo);
-demo;
-        `.trim();
-    }
-
-    generateFinalResponse(toolResults) {
-        const result = toolResults[0];
-        if (result.content.includes('Search Results')) {
-            return "I found some great resources for you! These should help with your query. Would you like me to search for anything more specific?";
-        } else if (result.content.includes('Code executed')) {
-            return "The code has been executed successfully! Is there anything else you'd like me to calculate or run?";
-        } else if (result.content.includes('AI Pipe')) {
-            return "The AI workflow has been completed! The results look good. Let me know if you need any other AI processing.";
+        const session = this.agent.summarizeUsage(calls);
+        const turnId = this.agent.activeTurnId();
+        const turn = this.agent.summarizeUsage(turnId ? calls.filter(call => call.turnId === turnId) : []);
+        const byProvider = {};
+        calls.forEach(call => {
+            const key = `${call.provider}/${call.model}`;
+            (byProvider[key] = byProvider[key] || []).push(call);
+        });
+
+        const { hardLimitUsd, softLimitUsd } = this.agent.usageSettings;
+        const limit = hardLimitUsd || softLimitUsd;
+        indicator.innerHTML = `
+            <div class="d-flex justify-content-between small text-muted">
+                <span class="usage-session"></span>
+                <span class="usage-turn"></span>
+            </div>
+            ${limit ? `<div class="progress" style="height: 4px;"><div class="progress-bar"></div></div>` : ''}
+        `;
+        indicator.querySelector('.usage-session').textContent = `Session: ${this.formatUsage(session)}` +
+            (limit ? ` of ${formatCost(limit)} ${hardLimitUsd ? 'limit' : 'soft limit'}` : '');
+        indicator.querySelector('.usage-turn').textContent = turn.calls > 0 ? `Last turn: ${this.formatUsage(turn)}` : '';
+        indicator.title = Object.entries(byProvider)
+            .map(([key, list]) => `${key}: ${this.formatUsage(this.agent.summarizeUsage(list))} (${list.length} calls)`)
+            .join('\n');
+        if (limit) {
+            const percent = Math.min(100, Math.round((session.cost / limit) * 100));
+            const bar = indicator.querySelector('.progress-bar');
+            bar.style.width = `${percent}%`;
+            bar.classList.add(percent >= 90 ? 'bg-danger' : percent >= 70 ? 'bg-warning' : 'bg-info');
         }
-        return "Task completed! How else can I assist you?";
     }
 
-    async handleToolCall(toolCall) {
-        const { id, function: func } = toolCall;
-        const args = JSON.parse(func.arguments);
+    // Shows an approval card in the chat and resolves with the user's decision:
+    // { action: 'approve' | 'reject', args, edited, reason }
+    requestApproval(tool, args, toolCallId, signal = this.agent.abortController?.signal) {
+        return new Promise((resolve, reject) => {
+            const card = document.createElement('div');
+            card.className = 'message tool-message approval-card border border-warning';
 
-        this.addMessage('tool', `🔧 Executing ${func.name}...`, true);
+            const title = document.createElement('strong');
+            title.textContent = `🛡️ Approve ${tool.label} (${tool.name})?`;
 
-        try {
-            let result;
-            switch (func.name) {
-                case 'google_search':
-                    result = await this.executeGoogleSearch(args.query);
-                    break;
-                case 'ai_pipe':
-                    result = await this.executeAIPipe(args.workflow);
-                    break;
-                case 'execute_js':
-                    result = await this.executeJavaScript(args.code);
-                    break;
-                default:
-                    throw new Error(`Unknown tool: ${func.name}`);
+            const argsView = document.createElement('pre');
+            argsView.className = 'code-output mt-2';
+            const shownArgs = { ...args };
+            if (tool.editableArgument) delete shownArgs[tool.editableArgument];
+            argsView.textContent = JSON.stringify(shownArgs, null, 2);
+
+            let editor = null;
+            if (tool.editableArgument) {
+                editor = document.createElement('textarea');
+                editor.className = 'form-control font-monospace mt-2';
+                editor.rows = Math.min(20, Math.max(4, String(args[tool.editableArgument] ?? '').split('\n').length + 1));
+                editor.value = args[tool.editableArgument] ?? '';
             }
 
-            this.addMessage('tool', `✅ ${func.name} completed:\n${result}`);
-            return { toolCallId: id, content: result };
+            const reasonInput = document.createElement('input');
+            reasonInput.type = 'text';
+            reasonInput.className = 'form-control form-control-sm mt-2';
+            reasonInput.placeholder = 'Optional reason if rejecting…';
+
+            const approveBtn = document.createElement('button');
+            approveBtn.className = 'btn btn-sm btn-success';
+            approveBtn.innerHTML = '<i class="bi bi-check-lg"></i> Approve';
+
+            const rejectBtn = document.createElement('button');
+            rejectBtn.className = 'btn btn-sm btn-outline-danger';
+            rejectBtn.innerHTML = '<i class="bi bi-x-lg"></i> Reject';
+
+            const actions = document.createElement('div');
+            actions.className = 'd-flex gap-2 mt-2';
+            actions.append(approveBtn, rejectBtn);
+
+            card.append(title);
+            if (Object.keys(shownArgs).length > 0 || !editor) card.append(argsView);
+            if (editor) card.append(editor);
+            card.append(reasonInput, actions);
+            card.dataset.toolCallId = toolCallId;
+            this.chatContainer.appendChild(card);
+            this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
 
+            const onAbort = () => settle(() => reject(new DOMException('Run cancelled', 'AbortError')), 'Cancelled');
+            const settle = (finish, outcome) => {
+                signal?.removeEventListener('abort', onAbort);
+                card.querySelectorAll('button, textarea, input').forEach(el => { el.disabled = true; });
+                const status = document.createElement('div');
+                status.className = 'small text-muted mt-1';
+                status.textContent = outcome;
+                card.appendChild(status);
+                finish();
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            approveBtn.addEventListener('click', () => {
+                const edited = Boolean(editor) && editor.value !== (args[tool.editableArgument] ?? '');
+                const finalArgs = edited ? { ...args, [tool.editableArgument]: editor.value } : args;
+                settle(() => resolve({ action: 'approve', args: finalArgs, edited }), edited ? 'Approved with edits' : 'Approved');
+            });
+            rejectBtn.addEventListener('click', () => {
+                const reason = reasonInput.value.trim();
+                settle(() => resolve({ action: 'reject', reason }), 'Rejected');
+            });
+        });
+    }
+
+    initializeSearchSettings() {
+        const form = document.getElementById('search-settings-form');
+        if (!form) return;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitSearchSettings();
+        });
+        document.getElementById('search-backend-select').addEventListener('change', () => this.updateSearchFieldVisibility());
+        this.renderSearchSettings();
+    }
+
+    submitSearchSettings() {
+        try {
+            this.agent.saveSearchSettings({
+                backend: document.getElementById('search-backend-select').value,
+                apiKey: document.getElementById('search-api-key').value.trim(),
+                cx: document.getElementById('search-cx').value.trim(),
+                endpoint: document.getElementById('search-endpoint').value.trim(),
+                useProxy: document.getElementById('search-use-proxy').checked,
+                defaultCount: parseInt(document.getElementById('search-default-count').value, 10),
+                pageMaxChars: parseInt(document.getElementById('page-max-chars').value, 10)
+            });
         } catch (error) {
-            const errorMsg = `❌ ${func.name} failed: ${error.message}`;
-            this.addMessage('tool', errorMsg);
-            return { toolCallId: id, content: errorMsg };
+            this.showAlert(`Search settings not saved: ${error.message}`, 'danger');
         }
     }
 
-    async executeGoogleSearch(query) {
-      let data = null;
-      if (this.aipipeToken) {
+    renderSearchSettings() {
+        const select = document.getElementById('search-backend-select');
+        if (!select || !this.agent.searchSettings) return;
+
+        select.innerHTML = '';
+        Object.entries(this.agent.searchBackends).forEach(([id, backend]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = backend.label;
+            option.selected = id === this.agent.searchSettings.backend;
+            select.appendChild(option);
+        });
+        const savedKey = this.agent.credentials.list().find(entry => entry.id === 'google-cse');
+        document.getElementById('search-api-key').value = '';
+        document.getElementById('search-api-key').placeholder = savedKey ? `Google API key ${savedKey.hint || '(locked)'} saved, type to replace` : 'Google API key';
+        document.getElementById('search-cx').value = this.agent.searchSettings.cx;
+        document.getElementById('search-endpoint').value = this.agent.searchSettings.endpoint;
+        document.getElementById('search-use-proxy').checked = this.agent.searchSettings.useProxy;
+        document.getElementById('search-default-count').value = this.agent.searchSettings.defaultCount;
+        document.getElementById('page-max-chars').value = this.agent.searchSettings.pageMaxChars;
+        this.updateSearchFieldVisibility();
+    }
+
+    updateSearchFieldVisibility() {
+        const backend = this.agent.searchBackends[document.getElementById('search-backend-select').value];
+        const fields = backend?.fields || [];
+        document.querySelectorAll('[data-search-field]').forEach(group => {
+            group.classList.toggle('d-none', !fields.includes(group.dataset.searchField));
+        });
+    }
+
+    initializeWorkflows() {
+        const saveBtn = document.getElementById('workflow-save-btn');
+        if (!saveBtn) return;
+        saveBtn.addEventListener('click', () => {
+            const editor = document.getElementById('workflow-editor');
+            try {
+                const saved = this.agent.saveWorkflow(WorkflowEngine.parse(editor.value));
+                editor.value = '';
+                this.showAlert(`Saved workflow "${saved.name}"`, 'success');
+            } catch (error) {
+                this.showAlert(`Could not save workflow: ${error.message}`, 'danger');
+            }
+        });
+        this.renderWorkflowList();
+    }
+
+    renderWorkflowList() {
+        const list = document.getElementById('workflow-list');
+        if (!list) return;
+        list.innerHTML = '';
+
+        Object.values(this.agent.loadSavedWorkflows()).forEach(workflow => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex align-items-center gap-1 px-2';
+
+            const title = document.createElement('span');
+            title.className = 'text-truncate flex-grow-1';
+            title.textContent = workflow.name;
+            title.title = workflow.description || '';
+
+            const actions = [
+                ['bi-play-fill', 'Run', () => this.runWorkflowFromUI(workflow.name)],
+                ['bi-pencil', 'Edit', () => {
+                    document.getElementById('workflow-editor').value = JSON.stringify(workflow, null, 2);
+                }],
+                ['bi-trash', 'Delete', () => {
+                    if (window.confirm(`Delete workflow "${workflow.name}"?`)) this.agent.deleteWorkflow(workflow.name);
+                }]
+            ].map(([icon, label, handler]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-sm btn-link p-0';
+                button.title = label;
+                button.innerHTML = `<i class="bi ${icon}"></i>`;
+                button.addEventListener('click', handler);
+                return button;
+            });
+
+            item.append(title, ...actions);
+            list.appendChild(item);
+        });
+    }
+
+    async runWorkflowFromUI(name) {
+        if (this.agent.isProcessing) return;
+        const workflow = this.agent.loadSavedWorkflows()[name];
+        let inputs = {};
+        if (workflow.inputs && Object.keys(workflow.inputs).length > 0) {
+            const raw = window.prompt(`Inputs for "${name}" as JSON`, JSON.stringify(
+                Object.fromEntries(Object.keys(workflow.inputs).map(key => [key, '']))
+            ));
+            if (raw === null) return;
+            try {
+                inputs = JSON.parse(raw);
+            } catch (error) {
+                this.showAlert(`Invalid inputs JSON: ${error.message}`, 'danger');
+                return;
+            }
+        }
+
+        const bubble = this.addMessage('tool', `🔧 Running workflow ${name}...`, true);
         try {
-          const resp = await fetch(
-            `https://aipipe.org/proxy/https://www.googleapis.com/customsearch/v1?key=YOUR_KEY&cx=YOUR_CX&q=${encodeURIComponent(query)}`,
-            { headers: { Authorization: `Bearer ${this.aipipeToken}` } }
-          );
-          data = await resp.json();
-        } catch (e) {
-          console.warn('Proxy search failed, using mock:', e);
+            this.updateMessage(bubble, await this.agent.runWorkflow(name, inputs));
+        } catch (error) {
+            this.updateMessage(bubble, `❌ Workflow ${name} failed: ${error.message}`);
         }
-      }
-    
-      // If no real data or items empty, use mock
-      if (!data?.items?.length) {
-        const mock = [
-          `📄 **${query} – Official Python Docs**: Best practices guide from the Python Software Foundation.`,
-          `✍️ **Real Python – Best Practices**: Article covering idiomatic Python patterns and style.`,
-          `💡 **Python Tips – StackOverflow**: Community answers on writing clean, efficient Python code.`
-        ];
-        return `**Search Results for "${query}":**\n\n${mock.join('\n\n')}`;
-      }
-    
-      // Otherwise format real results
-      return data.items.slice(0, 3).map(item =>
-        `📄 **${item.title}**: ${item.snippet}`
-      ).join('\n\n');
-    }
-    
-
-    async executeAIPipe(workflow) {
-        if (this.aipipeToken) {
-            // Use real AI Pipe workflow execution
+        bubble.classList.remove('thinking');
+    }
+
+    initializeMCP() {
+        const form = document.getElementById('mcp-server-form');
+        if (!form) return;
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const token = document.getElementById('mcp-token').value.trim();
             try {
-                const response = await fetch('https://aipipe.org/openai/v1/chat/completions', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${this.aipipeToken}`
-                    },
-                    body: JSON.stringify({
-                        model: 'gpt-4o-mini',
-                        messages: [
-                            { role: 'system', content: 'You are an AI workflow processor. Process the workflow and return structured results.' },
-                            { role: 'user', content: `Process this workflow: ${workflow}` }
-                        ],
-                        max_tokens: 500
-                    })
+                await this.agent.addMCPServer({
+                    name: document.getElementById('mcp-name').value.trim(),
+                    url: document.getElementById('mcp-url').value.trim(),
+                    transport: document.getElementById('mcp-transport').value,
+                    token
                 });
-                
-                const data = await response.json();
-                const result = data.choices[0].message.content;
-                return `**AI Pipe Workflow Executed:**\n\nWorkflow: "${workflow}"\n\n${result}`;
-                
+                form.reset();
             } catch (error) {
-                console.warn('Real AI Pipe failed, using simulation:', error);
+                this.showAlert(`MCP server not connected: ${error.message}`, 'danger');
             }
-        }
-        
-        // Simulation fallback
-        await this.delay(1500);
-        return `**AI Pipe Workflow Executed:**\n\nWorkflow: "${workflow}"\n\n✅ Data preprocessing completed\n✅ Model inference executed\n✅ Results processed\n\nOutput: Generated response based on workflow parameters with 94.2% confidence score.`;
+        });
+        this.renderMCPServerList();
+        this.agent.connectMCPServers();
     }
 
-    async executeJavaScript(code) {
-        try {
-            const result = eval(code);
-            const output = result !== undefined ? JSON.stringify(result, null, 2) : 'undefined';
-            return `**Code executed successfully:**\n\n\`\`\`javascript\n${code}\n\`\`\`\n\n**Result:** ${output}`;
-        } catch (error) {
-            throw new Error(`JavaScript execution failed: ${error.message}`);
+    renderMCPServerList() {
+        const list = document.getElementById('mcp-server-list');
+        if (!list) return;
+        list.innerHTML = '';
+
+        this.agent.listMCPServers().forEach(server => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex align-items-center gap-1 px-2';
+
+            const badge = document.createElement('span');
+            badge.className = `badge ${{ connected: 'bg-success', connecting: 'bg-info', error: 'bg-danger' }[server.status] || 'bg-secondary'}`;
+            badge.textContent = server.status === 'connected' ? `${server.tools.length} tools` : server.status;
+
+            const title = document.createElement('span');
+            title.className = 'text-truncate flex-grow-1';
+            title.textContent = server.name;
+            title.title = [server.url, server.serverInfo && `${server.serverInfo.name} ${server.serverInfo.version || ''}`, server.error]
+                .filter(Boolean)
+                .join('\n');
+
+            const connected = server.status === 'connected';
+            const actions = [
+                [connected ? 'bi-plug-fill' : 'bi-arrow-clockwise', connected ? 'Disconnect' : 'Connect', () => {
+                    if (connected) {
+                        this.agent.disconnectMCPServer(server.id);
+                    } else {
+                        this.agent.connectMCPServer(server.id)
+                            .catch(error => this.showAlert(`MCP server ${server.name}: ${error.message}`, 'danger'));
+                    }
+                }],
+                ['bi-trash', 'Remove', () => {
+                    if (window.confirm(`Remove MCP server "${server.name}"?`)) this.agent.removeMCPServer(server.id);
+                }]
+            ].map(([icon, label, handler]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-sm btn-link p-0';
+                button.title = label;
+                button.innerHTML = `<i class="bi ${icon}"></i>`;
+                button.addEventListener('click', handler);
+                return button;
+            });
+
+            item.append(badge, title, ...actions);
+            list.appendChild(item);
+        });
+    }
+
+    initializeTracing() {
+        document.getElementById('export-traces-btn')?.addEventListener('click', () => this.exportTraces());
+        document.getElementById('clear-traces-btn')?.addEventListener('click', () => this.agent.tracer.clear());
+    }
+
+    // Spans change often during a run; coalesce re-renders into one per frame
+    scheduleTraceRender() {
+        if (this.traceRenderPending) return;
+        this.traceRenderPending = true;
+        const render = () => {
+            this.traceRenderPending = false;
+            this.renderTraces();
+        };
+        if (typeof requestAnimationFrame === 'function') requestAnimationFrame(render);
+        else setTimeout(render, 0);
+    }
+
+    renderTraces() {
+        const container = document.getElementById('trace-list');
+        if (!container) return;
+        container.innerHTML = '';
+
+        if (this.agent.tracer.traces.length === 0) {
+            container.textContent = 'No runs recorded yet.';
+            return;
         }
+
+        [...this.agent.tracer.traces].reverse().forEach((trace, index) => {
+            const root = trace.spans[0];
+            const details = document.createElement('details');
+            details.className = 'trace';
+            details.open = index === 0;
+
+            const summary = document.createElement('summary');
+            const icon = { ok: '✅', error: '❌', unset: '⏳' }[root.status.code];
+            const label = root.attributes['turn.input'] || root.name;
+            summary.textContent = `${icon} ${label.slice(0, 60)} · ${root.durationMs}ms · ${trace.spans.length} spans`;
+            details.appendChild(summary);
+
+            const total = Math.max(1, root.durationMs);
+            const depthOf = (span) => {
+                let depth = 0;
+                for (let p = span; p.parentSpanId; depth++) {
+                    p = trace.spans.find(s => s.spanId === p.parentSpanId) || {};
+                }
+                return depth;
+            };
+
+            trace.spans.forEach(span => {
+                const row = document.createElement('details');
+                row.className = `trace-span${span.status.code === 'error' ? ' text-danger' : ''}`;
+                row.style.paddingLeft = `${depthOf(span) * 12}px`;
+
+                const head = document.createElement('summary');
+                const bar = document.createElement('span');
+                bar.className = 'trace-bar';
+                bar.style.marginLeft = `${((span.startTime - root.startTime) / total) * 100}%`;
+                bar.style.width = `${Math.max(1, (span.durationMs / total) * 100)}%`;
+                const name = document.createElement('span');
+                name.textContent = `${span.name} · ${span.endTime === null ? 'running' : `${span.durationMs}ms`}` +
+                    (span.status.message ? ` · ${span.status.message}` : '');
+                head.append(name, bar);
+
+                const body = document.createElement('pre');
+                body.className = 'trace-detail';
+                body.textContent = JSON.stringify({ attributes: span.attributes, events: span.events }, null, 2);
+                row.append(head, body);
+                details.appendChild(row);
+            });
+
+            container.appendChild(details);
+        });
     }
 
-    addMessage(type, content, isThinking = false) {
+    exportTraces() {
+        this.downloadJson(this.agent.tracer.toOTLP(), `llm-agent-traces-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+    }
+
+    addMessage(type, content, isThinking = false, isStreaming = false) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${type}-message`;
         if (isThinking) messageDiv.className += ' thinking';
+        if (isStreaming) messageDiv.className += ' streaming';
 
         const icon = type === 'user' ? '👤' : type === 'agent' ? '🤖' : '🔧';
         messageDiv.innerHTML = `
             <strong>${icon} ${type.charAt(0).toUpperCase() + type.slice(1)}:</strong>
-            <div>${this.formatContent(content)}</div>
+            <div class="message-body"></div>
         `;
+        this.renderContent(messageDiv.querySelector('.message-body'), content);
+        if (type === 'agent') this.renderCitations(messageDiv);
 
         this.chatContainer.appendChild(messageDiv);
         this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
+        return messageDiv;
+    }
+
+    updateMessage(messageDiv, content) {
+        this.renderContent(messageDiv.querySelector('.message-body'), content);
+        if (messageDiv.classList.contains('agent-message')) this.renderCitations(messageDiv);
+        this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
+    }
+
+    renderContent(element, content) {
+        element.innerHTML = this.formatContent(content);
+        this.decorateCodeBlocks(element);
     }
 
+    // Every message (user, agent and tool output alike) is untrusted: render it
+    // as Markdown, then sanitize before it touches the DOM. If the renderer
+    // scripts failed to load, fall back to escaped plain text.
     formatContent(content) {
-        return content
-            .replace(/``````/g, '<pre class="code-output">$2</pre>')
-            .replace(/`([^`]+)`/g, '<code>$1</code>')
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            .replace(/\n/g, '<br>');
+        const text = String(content ?? '');
+        if (typeof marked === 'undefined' || typeof DOMPurify === 'undefined') {
+            return this.escapeHtml(text).replace(/\n/g, '<br>');
+        }
+        const html = marked.parse(text, { gfm: true, breaks: true });
+        return DOMPurify.sanitize(html, {
+            FORBID_TAGS: ['style', 'form', 'input', 'button', 'textarea', 'select', 'iframe', 'object', 'embed'],
+            FORBID_ATTR: ['style']
+        });
+    }
+
+    // Turns [S1]-style markers into links to a sources panel under the message.
+    // Works on text nodes of the already-sanitized DOM, skipping code.
+    renderCitations(messageDiv) {
+        const body = messageDiv.querySelector('.message-body');
+        messageDiv.querySelector('.message-sources')?.remove();
+        const cited = [];
+
+        const walker = document.createTreeWalker(body, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement.closest('code, pre, a')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+        textNodes.forEach(node => {
+            const text = node.textContent;
+            CITATION_PATTERN.lastIndex = 0;
+            if (!CITATION_PATTERN.test(text)) return;
+
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            text.replace(CITATION_PATTERN, (match, ids, offset) => {
+                fragment.append(text.slice(lastIndex, offset));
+                ids.split(',').map(id => id.trim()).forEach(id => {
+                    const source = this.agent.sources.get(id);
+                    if (!source) {
+                        fragment.append(`[${id}]`);
+                        return;
+                    }
+                    if (!cited.includes(source)) cited.push(source);
+                    const marker = document.createElement('a');
+                    marker.href = '#';
+                    marker.className = 'citation';
+                    marker.textContent = `[${id}]`;
+                    marker.title = source.title;
+                    marker.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        const entry = messageDiv.querySelector(`.message-sources [data-source-id="${id}"]`);
+                        entry?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+                        entry?.classList.add('source-highlight');
+                        setTimeout(() => entry?.classList.remove('source-highlight'), 1500);
+                    });
+                    fragment.append(marker);
+                });
+                lastIndex = offset + match.length;
+                return match;
+            });
+            fragment.append(text.slice(lastIndex));
+            node.replaceWith(fragment);
+        });
+
+        if (cited.length === 0) return;
+
+        const panel = document.createElement('div');
+        panel.className = 'message-sources small mt-2 pt-2 border-top';
+        const heading = document.createElement('div');
+        heading.className = 'fw-semibold';
+        heading.textContent = 'Sources';
+        const list = document.createElement('ol');
+        list.className = 'list-unstyled mb-0';
+
+        cited.sort((a, b) => Number(a.id.slice(1)) - Number(b.id.slice(1))).forEach(source => {
+            const item = document.createElement('li');
+            item.dataset.sourceId = source.id;
+            const link = document.createElement('a');
+            link.href = /^https?:\/\//.test(source.url) ? source.url : '#';
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer nofollow';
+            link.textContent = source.title;
+            const url = document.createElement('span');
+            url.className = 'text-muted ms-1';
+            url.textContent = source.url;
+            item.append(`[${source.id}] `, link, url);
+            list.appendChild(item);
+        });
+
+        panel.append(heading, list);
+        messageDiv.appendChild(panel);
+    }
+
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Adds a language label and copy button to fenced code blocks. Done on the
+    // sanitized DOM so the button's listener never goes through innerHTML.
+    decorateCodeBlocks(element) {
+        element.querySelectorAll('pre > code').forEach(code => {
+            const pre = code.parentElement;
+            pre.classList.add('code-output');
+            const language = [...code.classList]
+                .find(name => name.startsWith('language-'))
+                ?.slice('language-'.length) || 'text';
+
+            const header = document.createElement('div');
+            header.className = 'code-header d-flex justify-content-between align-items-center';
+
+            const label = document.createElement('span');
+            label.className = 'code-language';
+            label.textContent = language;
+
+            const copyBtn = document.createElement('button');
+            copyBtn.type = 'button';
+            copyBtn.className = 'btn btn-sm btn-link p-0 code-copy';
+            copyBtn.innerHTML = '<i class="bi bi-clipboard"></i> Copy';
+            copyBtn.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(code.textContent);
+                    copyBtn.innerHTML = '<i class="bi bi-check2"></i> Copied';
+                } catch (error) {
+                    copyBtn.textContent = 'Copy failed';
+                }
+                setTimeout(() => {
+                    copyBtn.innerHTML = '<i class="bi bi-clipboard"></i> Copy';
+                }, 1500);
+            });
+
+            header.append(label, copyBtn);
+            const wrapper = document.createElement('div');
+            wrapper.className = 'code-block';
+            pre.replaceWith(wrapper);
+            wrapper.append(header, pre);
+        });
     }
 
     clearChat() {
-        this.messages = [];
-        this.chatContainer.innerHTML = '';
-        this.showAlert('Chat cleared successfully!', 'info');
+        if (this.agent.isProcessing) return;
+        this.agent.startNewSession();
+        this.showAlert('Started a new chat', 'info');
     }
 
     updateUI() {
-        this.sendBtn.disabled = this.isProcessing;
-        this.userInput.disabled = this.isProcessing || !this.llmProvider;
+        this.sendBtn.disabled = this.agent.isProcessing || !this.agent.canSend();
+        this.userInput.disabled = this.agent.isProcessing || !this.agent.canSend();
+        this.cancelBtn.classList.toggle('d-none', !this.agent.isProcessing);
         
-        if (this.isProcessing) {
+        if (this.agent.isProcessing) {
             this.sendBtn.innerHTML = '<i class="bi bi-hourglass-split"></i> Processing...';
         } else {
             this.sendBtn.innerHTML = '<i class="bi bi-send"></i> Send';
         }
     }
 
+    // The agent may be switched from code (options, console), so mirror its state
+    renderSimulationMode() {
+        const enabled = this.agent.simulationMode;
+        const toggle = document.getElementById('simulation-toggle');
+        if (toggle) toggle.checked = enabled;
+        document.getElementById('simulation-badge')?.classList.toggle('d-none', !enabled);
+    }
+
     showAlert(message, type = 'info') {
         const alertContainer = document.getElementById('alert-container');
         const alertDiv = document.createElement('div');
         alertDiv.className = `alert alert-${type} alert-dismissible fade show position-fixed top-0 end-0 m-3`;
         alertDiv.style.zIndex = '9999';
-        alertDiv.innerHTML = `
-            ${message}
-            <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
-        `;
+        // Messages can carry server error text, so never parse them as HTML
+        alertDiv.textContent = message;
+        alertDiv.insertAdjacentHTML('beforeend', '<button type="button" class="btn-close" data-bs-dismiss="alert"></button>');
         alertContainer.appendChild(alertDiv);
         
         setTimeout(() => {
@@ -675,13 +1596,33 @@ demo;
             }
         }, 5000);
     }
+}
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
+// Links in rendered messages open in a new tab without access to this page
+if (typeof DOMPurify !== 'undefined') {
+    DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+        if (node.tagName === 'A' && node.hasAttribute('href')) {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer nofollow');
+        }
+    });
+}
+
+// Initialize the agent when the DOM is ready (module scripts are deferred, so
+// it may already be). Extra tools can be shipped as separate scripts that
+// listen for 'llmagent:ready' and call registerTool().
+function start() {
+    const agent = new LLMAgent();
+    const ui = new ChatUI(agent);
+    window.llmAgent = agent;
+    window.llmAgentUI = ui;
+    window.dispatchEvent(new CustomEvent('llmagent:ready', { detail: { agent, ui } }));
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+} else {
+    start();
 }
 
-// Initialize the agent when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new LLMAgent();
-});
+export { ChatUI };